@@ -0,0 +1,8 @@
+-- Users allowed to connect, cached in KV under `user:<uuid>`.
+CREATE TABLE IF NOT EXISTS users (
+  uuid TEXT PRIMARY KEY,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expiration_date TEXT NOT NULL,
+  expiration_time TEXT NOT NULL,
+  notes TEXT
+);
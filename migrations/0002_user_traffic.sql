@@ -0,0 +1,4 @@
+-- Per-user traffic accounting. A NULL traffic_limit means unlimited.
+ALTER TABLE users ADD COLUMN traffic_limit INTEGER;
+ALTER TABLE users ADD COLUMN traffic_up INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN traffic_down INTEGER NOT NULL DEFAULT 0;
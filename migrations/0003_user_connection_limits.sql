@@ -0,0 +1,3 @@
+-- Per-user limits on simultaneous connections and distinct client IPs. NULL means unlimited.
+ALTER TABLE users ADD COLUMN max_connections INTEGER;
+ALTER TABLE users ADD COLUMN max_ips INTEGER;
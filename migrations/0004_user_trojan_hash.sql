@@ -0,0 +1,4 @@
+-- SHA-224 hex of the UUID, which doubles as the user's Trojan password.
+-- Existing rows are filled in by the worker (see backfillTrojanHashes).
+ALTER TABLE users ADD COLUMN trojan_hash TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_trojan_hash ON users (trojan_hash);
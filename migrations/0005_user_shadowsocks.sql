@@ -0,0 +1,3 @@
+-- Per-user Shadowsocks password for the /ss/<uuid> inbound.
+-- Existing rows are filled in by the worker (see backfillUserCredentials).
+ALTER TABLE users ADD COLUMN ss_password TEXT;
@@ -0,0 +1,38 @@
+-- Clean-IP and fronting-domain pools that subscription endpoints are built from.
+-- Pools with a source_url are refreshed by the worker (cron or the admin panel);
+-- fetched rows are marked source = 'remote' and replaced on every refresh.
+CREATE TABLE IF NOT EXISTS endpoint_pools (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  kind TEXT NOT NULL DEFAULT 'domain' CHECK (kind IN ('domain', 'ip')),
+  tag_prefix TEXT NOT NULL DEFAULT 'D',
+  tls_ports TEXT NOT NULL DEFAULT '443,8443,2053,2083,2087,2096',
+  plain_ports TEXT NOT NULL DEFAULT '80,8080,8880,2052,2082,2086,2095',
+  max_entries INTEGER,
+  source_url TEXT,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  refreshed_at DATETIME,
+  refresh_error TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS endpoint_pool_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  pool_id INTEGER NOT NULL REFERENCES endpoint_pools (id) ON DELETE CASCADE,
+  address TEXT NOT NULL,
+  label TEXT,
+  weight INTEGER NOT NULL DEFAULT 1,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  source TEXT NOT NULL DEFAULT 'manual',
+  UNIQUE (pool_id, address)
+);
+
+-- Seed with the lists that used to be hard-coded in the worker.
+INSERT INTO endpoint_pools (id, name, kind, tag_prefix) VALUES (1, 'Fronting domains', 'domain', 'D');
+INSERT INTO endpoint_pool_entries (pool_id, address) VALUES
+  (1, 'creativecommons.org'), (1, 'www.speedtest.net'), (1, 'sky.rethinkdns.com'),
+  (1, 'cfip.1323123.xyz'), (1, 'cfip.xxxxxxxx.tk'), (1, 'go.inmobi.com'),
+  (1, 'singapore.com'), (1, 'www.visa.com'), (1, 'cf.090227.xyz'),
+  (1, 'cdnjs.com'), (1, 'zula.ir');
+INSERT INTO endpoint_pools (id, name, kind, tag_prefix, max_entries, source_url) VALUES
+  (2, 'Clean IPs', 'ip', 'IP', 20, 'https://raw.githubusercontent.com/NiREvil/vless/refs/heads/main/Cloudflare-IPs.json');
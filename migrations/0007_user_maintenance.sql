@@ -0,0 +1,26 @@
+-- Users removed by the scheduled cleanup once they are past the grace period
+-- (EXPIRED_USER_ACTION = "archive").
+CREATE TABLE IF NOT EXISTS archived_users (
+  uuid TEXT PRIMARY KEY,
+  created_at DATETIME,
+  expiration_date TEXT NOT NULL,
+  expiration_time TEXT NOT NULL,
+  notes TEXT,
+  traffic_limit INTEGER,
+  traffic_up INTEGER NOT NULL DEFAULT 0,
+  traffic_down INTEGER NOT NULL DEFAULT 0,
+  archived_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Outbox of user notifications. `due_at` is the expiry that triggered the
+-- notice, so each expiry date is announced once even across cron runs.
+CREATE TABLE IF NOT EXISTS notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  uuid TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  due_at DATETIME NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  sent_at DATETIME,
+  UNIQUE (uuid, kind, due_at)
+);
+CREATE INDEX IF NOT EXISTS idx_notifications_pending ON notifications (sent_at);
@@ -0,0 +1,3 @@
+-- Telegram chat linked to the user through the bot's /link command.
+ALTER TABLE users ADD COLUMN telegram_chat_id INTEGER;
+CREATE INDEX IF NOT EXISTS idx_users_telegram_chat_id ON users (telegram_chat_id);
@@ -0,0 +1,12 @@
+-- Admin panel accounts. password_hash is "pbkdf2_sha256$<iterations>$<salt>$<hash>"
+-- (base64). Roles: owner (everything), reseller (manages users), readonly.
+-- While no enabled owner exists, ADMIN_KEY logs in as a bootstrap owner.
+CREATE TABLE IF NOT EXISTS admins (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  password_hash TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'reseller', 'readonly')),
+  disabled INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_login_at DATETIME
+);
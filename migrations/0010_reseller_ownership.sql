@@ -0,0 +1,7 @@
+-- Reseller mode: users belong to the admin who created them. Resellers only see
+-- and manage their own users, within optional caps on active users and on the
+-- total traffic quota handed out to them (bytes, NULL = unlimited).
+ALTER TABLE users ADD COLUMN owner_admin INTEGER REFERENCES admins (id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_users_owner_admin ON users (owner_admin);
+ALTER TABLE admins ADD COLUMN max_active_users INTEGER;
+ALTER TABLE admins ADD COLUMN max_total_quota INTEGER;
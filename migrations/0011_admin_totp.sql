@@ -0,0 +1,7 @@
+-- Optional TOTP (RFC 6238) second factor for admin accounts. totp_secret is
+-- base32 and set once enrollment is confirmed; totp_last_step stops a code
+-- from being replayed; totp_recovery_codes is a JSON array of SHA-256 hex
+-- digests of the unused one-time recovery codes.
+ALTER TABLE admins ADD COLUMN totp_secret TEXT;
+ALTER TABLE admins ADD COLUMN totp_last_step INTEGER;
+ALTER TABLE admins ADD COLUMN totp_recovery_codes TEXT;
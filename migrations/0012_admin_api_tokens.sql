@@ -0,0 +1,17 @@
+-- Bearer tokens for scripts and billing systems calling /admin/api/*. A token
+-- acts as the admin who issued it, limited to its comma-separated scopes.
+-- Only a SHA-256 hex digest is stored; token_hint keeps a few characters so
+-- admins can tell tokens apart.
+CREATE TABLE IF NOT EXISTS admin_api_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  admin_id INTEGER NOT NULL REFERENCES admins (id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  token_hint TEXT NOT NULL,
+  scopes TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME,
+  last_used_at DATETIME,
+  revoked_at DATETIME
+);
+CREATE INDEX IF NOT EXISTS idx_admin_api_tokens_admin ON admin_api_tokens (admin_id);
@@ -0,0 +1,27 @@
+-- Append-only record of every change made through /admin/api/*. The admin is
+-- copied by id and name rather than referenced, so entries outlive deleted
+-- accounts. before_value and after_value hold JSON snapshots of what changed.
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  admin_id INTEGER,
+  admin_username TEXT NOT NULL,
+  api_token_id INTEGER,
+  ip TEXT,
+  action TEXT NOT NULL,
+  target TEXT,
+  before_value TEXT,
+  after_value TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log (created_at);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action ON admin_audit_log (action);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log (target);
+
+CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_update BEFORE UPDATE ON admin_audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+END;
+CREATE TRIGGER IF NOT EXISTS admin_audit_log_no_delete BEFORE DELETE ON admin_audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'admin_audit_log is append-only');
+END;
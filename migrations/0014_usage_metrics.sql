@@ -0,0 +1,37 @@
+-- Usage metrics behind the admin dashboard. Counters are summed per UTC hour
+-- and user; user_uuid is '' for events that no user could be tied to, such as
+-- failed authentication. Destinations are summed per day to keep them small.
+-- The scheduled maintenance drops rows older than METRICS_RETENTION_DAYS.
+CREATE TABLE IF NOT EXISTS usage_hourly (
+  hour TEXT NOT NULL,
+  user_uuid TEXT NOT NULL DEFAULT '',
+  connections INTEGER NOT NULL DEFAULT 0,
+  bytes_up INTEGER NOT NULL DEFAULT 0,
+  bytes_down INTEGER NOT NULL DEFAULT 0,
+  dns_queries INTEGER NOT NULL DEFAULT 0,
+  auth_failures INTEGER NOT NULL DEFAULT 0,
+  fallbacks INTEGER NOT NULL DEFAULT 0,
+  errors INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (hour, user_uuid)
+);
+CREATE INDEX IF NOT EXISTS idx_usage_hourly_user ON usage_hourly (user_uuid, hour);
+
+CREATE TABLE IF NOT EXISTS usage_destinations (
+  day TEXT NOT NULL,
+  user_uuid TEXT NOT NULL,
+  host TEXT NOT NULL,
+  port INTEGER NOT NULL,
+  connections INTEGER NOT NULL DEFAULT 0,
+  bytes INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (day, user_uuid, host, port)
+);
+
+-- One row per open proxied connection. last_seen moves with each traffic flush,
+-- so rows left behind by a dropped worker age out of the active count.
+CREATE TABLE IF NOT EXISTS live_connections (
+  id TEXT PRIMARY KEY,
+  user_uuid TEXT NOT NULL,
+  started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_seen DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_live_connections_user ON live_connections (user_uuid);
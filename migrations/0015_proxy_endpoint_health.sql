@@ -0,0 +1,13 @@
+-- Outcome of connections through each PROXYIP endpoint, keyed by its
+-- host:port address. consecutive_failures drives the failover cooldown and is
+-- reset by the next success; latency_ms is a moving average of time to first byte.
+CREATE TABLE IF NOT EXISTS proxy_endpoint_health (
+  address TEXT PRIMARY KEY,
+  successes INTEGER NOT NULL DEFAULT 0,
+  failures INTEGER NOT NULL DEFAULT 0,
+  consecutive_failures INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER,
+  last_success_at DATETIME,
+  last_failure_at DATETIME,
+  last_error TEXT
+);
@@ -0,0 +1,23 @@
+-- Outbound routing. Rules are tried in priority order (then id) against the
+-- destination of each TCP connection; the first match decides where it goes.
+-- outbound is 'direct', 'block' or the name of a routing_outbounds row.
+-- Connections that match no rule keep the default direct-then-PROXYIP path.
+CREATE TABLE IF NOT EXISTS routing_outbounds (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  kind TEXT NOT NULL CHECK (kind IN ('proxyip', 'socks5')),
+  address TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS routing_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  priority INTEGER NOT NULL DEFAULT 100,
+  match_type TEXT NOT NULL CHECK (match_type IN ('domain_suffix', 'domain_keyword', 'domain_regex', 'ip_cidr', 'port')),
+  match_value TEXT NOT NULL,
+  outbound TEXT NOT NULL,
+  note TEXT,
+  enabled INTEGER NOT NULL DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+CREATE INDEX IF NOT EXISTS idx_routing_rules_priority ON routing_rules (priority, id);
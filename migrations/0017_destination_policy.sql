@@ -0,0 +1,26 @@
+-- Destination policy, checked before any outbound connection. Built-in rules
+-- in the worker deny private ranges, SMTP and torrent trackers; 'allow' rows
+-- here override them (and 'deny' rows), 'deny' rows add to them.
+CREATE TABLE IF NOT EXISTS destination_policy (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  action TEXT NOT NULL CHECK (action IN ('allow', 'deny')),
+  match_type TEXT NOT NULL CHECK (match_type IN ('domain_suffix', 'domain_keyword', 'domain_regex', 'ip_cidr', 'port')),
+  match_value TEXT NOT NULL,
+  note TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rejected connection attempts, summed per day, user and destination like
+-- usage_destinations and pruned with the other usage metrics.
+CREATE TABLE IF NOT EXISTS destination_rejections (
+  day TEXT NOT NULL,
+  user_uuid TEXT NOT NULL,
+  host TEXT NOT NULL,
+  port INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (day, user_uuid, host, port)
+);
+
+ALTER TABLE usage_hourly ADD COLUMN rejections INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,15 @@
+-- Routing outbounds of kind 'socks5' become 'upstream': a pool of SOCKS5 and
+-- HTTP CONNECT proxies, picked by strategy. SQLite cannot change a CHECK
+-- constraint in place, so the table is rebuilt.
+CREATE TABLE routing_outbounds_new (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  kind TEXT NOT NULL CHECK (kind IN ('proxyip', 'upstream')),
+  address TEXT NOT NULL,
+  strategy TEXT NOT NULL DEFAULT 'round_robin' CHECK (strategy IN ('round_robin', 'least_failures', 'per_user')),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+INSERT INTO routing_outbounds_new (id, name, kind, address, created_at)
+  SELECT id, name, CASE kind WHEN 'socks5' THEN 'upstream' ELSE kind END, address, created_at FROM routing_outbounds;
+DROP TABLE routing_outbounds;
+ALTER TABLE routing_outbounds_new RENAME TO routing_outbounds;
@@ -0,0 +1,8 @@
+-- Archive every column of a purged user, so an archived user can be restored
+-- with its limits, credentials, owner and Telegram link intact.
+ALTER TABLE archived_users ADD COLUMN max_connections INTEGER;
+ALTER TABLE archived_users ADD COLUMN max_ips INTEGER;
+ALTER TABLE archived_users ADD COLUMN trojan_hash TEXT;
+ALTER TABLE archived_users ADD COLUMN ss_password TEXT;
+ALTER TABLE archived_users ADD COLUMN telegram_chat_id INTEGER;
+ALTER TABLE archived_users ADD COLUMN owner_admin INTEGER;
@@ -0,0 +1,5 @@
+-- Delivery per channel, so a notification the webhook already received is not
+-- posted again while Telegram still fails, and the other way round. `sent_at`
+-- is set once every configured channel has it.
+ALTER TABLE notifications ADD COLUMN webhook_sent_at DATETIME;
+ALTER TABLE notifications ADD COLUMN telegram_sent_at DATETIME;